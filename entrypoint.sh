@@ -8,14 +8,44 @@ echo "[$(date '+%Y-%m-%d %H:%M:%S')] Starting MongoDB and Node.js controller..."
 MONGO_REPLICA_SET_NAME="${MONGO_REPLICA_SET_NAME:-rs0}"
 MONGO_PORT="${MONGO_PORT:-27017}"
 KEYFILE_PATH="/data/configdb/mongodb-keyfile"
+QUARANTINE_DIR="${QUARANTINE_DIR:-/data/db/.quarantine}"
+
+# MongoDB TLS (disabled, allowTLS, preferTLS or requireTLS)
+MONGO_TLS_MODE="${MONGO_TLS_MODE:-disabled}"
+TLS_DIR="${TLS_DIR:-/data/configdb/tls}"
+TLS_CA_FILE="${MONGO_TLS_CA_FILE:-${TLS_DIR}/ca.pem}"
+TLS_CERT_KEY_FILE="${MONGO_TLS_CERT_KEY_FILE:-${TLS_DIR}/node.pem}"
+TLS_PARAMS=""
+# Controller REST API TLS (disabled, migrate or required), uses the same certificates
+API_TLS_MODE="${API_TLS_MODE:-disabled}"
+MONGOSH_TLS_ARGS=""
 
 # MongoDB authentication
 MONGO_INITDB_ROOT_USERNAME="${MONGO_INITDB_ROOT_USERNAME}"
 MONGO_INITDB_ROOT_PASSWORD="${MONGO_INITDB_ROOT_PASSWORD}"
 
+# Log format shared with the controller (text or json)
+LOG_FORMAT="${LOG_FORMAT:-text}"
+
 # Function to log messages with timestamp
 log() {
-    echo "[$(date '+%Y-%m-%d %H:%M:%S')] $1"
+    if [ "${LOG_FORMAT}" = "json" ]; then
+        local level="info"
+        case "$1" in
+            ERROR*|FATAL*) level="error" ;;
+            WARNING*) level="warn" ;;
+        esac
+        # Escape for a JSON string: backslash, quote, newline, carriage return and tab; drop other control characters
+        local message="${1//\\/\\\\}"
+        message="${message//\"/\\\"}"
+        message="${message//$'\n'/\\n}"
+        message="${message//$'\r'/\\r}"
+        message="${message//$'\t'/\\t}"
+        message="$(printf '%s' "$message" | tr -d '\000-\037')"
+        echo "{\"time\":\"$(date -u '+%Y-%m-%dT%H:%M:%S.%3NZ')\",\"level\":\"${level}\",\"msg\":\"${message}\",\"phase\":\"entrypoint\"}"
+    else
+        echo "[$(date '+%Y-%m-%d %H:%M:%S')] $1"
+    fi
 }
 
 # Function to wait for MongoDB to be ready
@@ -26,7 +56,7 @@ wait_for_mongo() {
     log "Waiting for MongoDB to start..."
 
     while [ $attempt -lt $max_attempts ]; do
-        if mongosh --port "${MONGO_PORT}" --quiet --eval "db.adminCommand('ping')" >/dev/null 2>&1; then
+        if mongosh --port "${MONGO_PORT}" ${MONGOSH_TLS_ARGS} --quiet --eval "db.adminCommand('ping')" >/dev/null 2>&1; then
             log "MongoDB is ready"
             return 0
         fi
@@ -49,7 +79,7 @@ create_root_user() {
     log "Creating root user '${MONGO_INITDB_ROOT_USERNAME}' using localhost exception..."
 
     # Try to create user directly - if it already exists, mongosh will return an error which we can ignore
-    local result=$(mongosh --port "${MONGO_PORT}" admin --quiet --eval "
+    local result=$(mongosh --port "${MONGO_PORT}" ${MONGOSH_TLS_ARGS} admin --quiet --eval "
         try {
             db.createUser({
                 user: '${MONGO_INITDB_ROOT_USERNAME}',
@@ -79,37 +109,47 @@ create_root_user() {
     fi
 }
 
-# Function to generate deterministic keyfile from passphrase
-generate_keyfile_from_passphrase() {
-    local passphrase="$1"
-    local salt="${MONGO_KEYFILE_SALT:-mongodb-flux-cluster-salt}"
-
-    # Use PBKDF2 with SHA-256 to derive a deterministic key from the passphrase
-    # This ensures all nodes with the same passphrase generate the same keyfile
-    openssl enc -pbkdf2 -pass pass:"${passphrase}" -S "$(echo -n "$salt" | xxd -p)" \
-        -md sha256 -iter 10000 -a -A 2>/dev/null < /dev/zero | head -c 756
-}
-
 # Function to generate or use existing keyfile for replica set authentication
+# The controller derives the key from MONGO_KEYFILE_PASSPHRASE (PBKDF2) and adds it to an existing keyfile
+# that does not have it yet; the PRIMARY then rolls it out and retires the old keys
 setup_keyfile() {
-    if [ ! -f "$KEYFILE_PATH" ]; then
-        if [ ! -z "$MONGO_KEYFILE_CONTENT" ]; then
-            log "Using provided MongoDB keyfile from environment..."
-            echo "$MONGO_KEYFILE_CONTENT" > "$KEYFILE_PATH"
-        elif [ ! -z "$MONGO_KEYFILE_PASSPHRASE" ]; then
-            log "Generating deterministic MongoDB keyfile from passphrase..."
-            generate_keyfile_from_passphrase "$MONGO_KEYFILE_PASSPHRASE" > "$KEYFILE_PATH"
-            log "Keyfile generated successfully from passphrase"
-        else
-            log "WARNING: Generating random MongoDB keyfile (not suitable for multi-node production)..."
-            openssl rand -base64 756 > "$KEYFILE_PATH"
+    if [ -n "$MONGO_KEYFILE_CONTENT" ] || [ -n "$MONGO_KEYFILE_PASSPHRASE" ]; then
+        if ! node /app/index.js keyfile-setup; then
+            return 1
         fi
-
-        chmod 400 "$KEYFILE_PATH"
-        chown mongodb:mongodb "$KEYFILE_PATH"
+    elif [ ! -f "$KEYFILE_PATH" ]; then
+        log "WARNING: Generating random MongoDB keyfile (not suitable for multi-node production)..."
+        openssl rand -base64 756 > "$KEYFILE_PATH"
     else
         log "Using existing MongoDB keyfile"
     fi
+
+    chmod 400 "$KEYFILE_PATH"
+    chown mongodb:mongodb "$KEYFILE_PATH"
+}
+
+# Function to create the cluster CA and node certificate, and set the mongod/mongosh TLS options
+setup_tls() {
+    if [ "$MONGO_TLS_MODE" = "disabled" ] && [ "$API_TLS_MODE" = "disabled" ]; then
+        return 0
+    fi
+
+    log "Setting up TLS certificates (MongoDB: ${MONGO_TLS_MODE}, API: ${API_TLS_MODE})..."
+    if ! node /app/index.js tls-setup "$PUBLIC_HOSTNAME" "$PUBLIC_IP"; then
+        return 1
+    fi
+    chown -R mongodb:mongodb "$TLS_DIR" 2>/dev/null || true
+
+    if [ "$MONGO_TLS_MODE" = "disabled" ]; then
+        return 0
+    fi
+
+    # Clients (applications) do not need their own certificates
+    TLS_PARAMS="--tlsMode ${MONGO_TLS_MODE} --tlsCertificateKeyFile ${TLS_CERT_KEY_FILE} --tlsCAFile ${TLS_CA_FILE} --tlsAllowConnectionsWithoutCertificates"
+
+    if [ "$MONGO_TLS_MODE" = "preferTLS" ] || [ "$MONGO_TLS_MODE" = "requireTLS" ]; then
+        MONGOSH_TLS_ARGS="--tls --tlsCAFile ${TLS_CA_FILE}"
+    fi
 }
 
 # Trap signals for graceful shutdown
@@ -146,8 +186,8 @@ main() {
     if [ -n "$TEST_PUBLIC_IP" ]; then
         log "TEST MODE: MongoDB will bind to all interfaces (public IP ${TEST_PUBLIC_IP} is NAT'd)"
         PUBLIC_IP="$TEST_PUBLIC_IP"
-    elif [ -n "$FLUX_API_OVERRIDE" ]; then
-        log "Local testing mode: MongoDB will bind to all interfaces (Docker network)"
+    elif [ -n "$FLUX_API_OVERRIDE" ] || [ "$USE_PRIVATE_IP" = "true" ]; then
+        log "Private network mode: MongoDB will bind to all interfaces (Docker network)"
         # In local testing, use private IP for hostname mapping
         PRIVATE_IP=$(ip -4 addr show | grep -oP '(?<=inet\s)\d+(\.\d+){3}' | grep -v '127.0.0.1' | head -n1)
         if [ -n "$PRIVATE_IP" ]; then
@@ -156,8 +196,20 @@ main() {
         fi
     else
         log "Production mode: MongoDB will bind to all interfaces (behind NAT)"
-        # Detect public IP for /etc/hosts mapping
-        PUBLIC_IP=$(curl -s --max-time 5 https://api.ipify.org 2>/dev/null || echo "")
+        # Same order as the controller: NODE_PUBLIC_IP, then ipify, then ip-api
+        if [ -n "$NODE_PUBLIC_IP" ]; then
+            PUBLIC_IP="$NODE_PUBLIC_IP"
+            log "Using NODE_PUBLIC_IP from environment: $PUBLIC_IP"
+        else
+            PUBLIC_IP=$(curl -s --max-time 5 https://api.ipify.org 2>/dev/null || echo "")
+            if ! [[ "$PUBLIC_IP" =~ ^[0-9]+(\.[0-9]+){3}$ ]]; then
+                PUBLIC_IP=$(curl -s --max-time 5 'http://ip-api.com/line/?fields=query' 2>/dev/null || echo "")
+            fi
+            if ! [[ "$PUBLIC_IP" =~ ^[0-9]+(\.[0-9]+){3}$ ]]; then
+                log "WARNING: Could not detect the public IP, set NODE_PUBLIC_IP"
+                PUBLIC_IP=""
+            fi
+        fi
     fi
 
     # Create a hostname from the IP for replica set configuration
@@ -168,7 +220,7 @@ main() {
 
         # In local testing, map to private IP itself (MongoDB binds to all interfaces)
         # In production, map to 127.0.0.1 (for NAT hairpin workaround)
-        if [ -n "$FLUX_API_OVERRIDE" ]; then
+        if [ -n "$FLUX_API_OVERRIDE" ] || [ "$USE_PRIVATE_IP" = "true" ]; then
             HOSTNAME_IP="$PUBLIC_IP"
         else
             HOSTNAME_IP="127.0.0.1"
@@ -199,8 +251,14 @@ main() {
         log "Write concern majority enabled (may impact performance)"
     fi
 
+    # Setup TLS certificates (needs the hostname determined above)
+    if ! setup_tls; then
+        log "ERROR: Failed to setup TLS certificates"
+        exit 1
+    fi
+
     # Start MongoDB with keyfile authentication
-    log "Starting MongoDB with keyfile authentication (oplog: ${OPLOG_SIZE}MB)..."
+    log "Starting MongoDB with keyfile authentication (oplog: ${OPLOG_SIZE}MB, TLS: ${MONGO_TLS_MODE})..."
     mongod \
         --replSet "${MONGO_REPLICA_SET_NAME}" \
         ${BIND_MODE} \
@@ -212,6 +270,7 @@ main() {
         --oplogSize ${OPLOG_SIZE} \
         --setParameter "skipShardingConfigurationChecks=true" \
         ${WRITE_CONCERN_PARAMS} \
+        ${TLS_PARAMS} \
         --fork
 
     # Wait for MongoDB to be ready
@@ -222,13 +281,22 @@ main() {
             log "ERROR: MongoDB crashed due to rollback failure"
             log "RECOVERY: Data corrupted beyond repair, performing automatic recovery..."
 
-            # Backup corrupted data
-            BACKUP_DIR="/data/db.corrupted.$(date +%s)"
-            mv /data/db "$BACKUP_DIR" 2>/dev/null || true
-            log "Corrupted data backed up to: $BACKUP_DIR"
+            # Quarantine corrupted data (same layout as the controller's quarantines, see GET /quarantine)
+            QUARANTINE_ID="quarantine-$(date -u +%Y-%m-%dT%H-%M-%S-000Z)"
+            mkdir -p "${QUARANTINE_DIR}/${QUARANTINE_ID}"
+            find /data/db -mindepth 1 -maxdepth 1 ! -name '.*' -exec mv {} "${QUARANTINE_DIR}/${QUARANTINE_ID}/" \;
+            cat > "${QUARANTINE_DIR}/${QUARANTINE_ID}.json" <<EOF
+{
+  "id": "${QUARANTINE_ID}",
+  "createdAt": "$(date -u +%Y-%m-%dT%H:%M:%S.000Z)",
+  "reason": "MongoDB crashed due to rollback failure",
+  "host": "$(hostname)",
+  "replicaSet": "${MONGO_REPLICA_SET_NAME}",
+  "sizeBytes": $(du -sb "${QUARANTINE_DIR}/${QUARANTINE_ID}" | cut -f1)
+}
+EOF
+            log "Corrupted data quarantined to: ${QUARANTINE_DIR}/${QUARANTINE_ID}"
 
-            # Create fresh data directory
-            mkdir -p /data/db
             chown -R mongodb:mongodb /data/db
 
             log "Starting MongoDB with fresh data - will resync from primary..."
@@ -242,6 +310,7 @@ main() {
                 --oplogSize ${OPLOG_SIZE} \
                 --setParameter "skipShardingConfigurationChecks=true" \
                 ${WRITE_CONCERN_PARAMS} \
+                ${TLS_PARAMS} \
                 --fork
 
             # Wait again